@@ -50,13 +50,13 @@
  * 2. 在 Fiber 上添加一个 hooks 属性，用于记录一个组件中多个 Hooks 的索引，
  *    以支持在同一个组件中多次调用 Hooks
  * 3. 在函数组件中调用 Hooks 时，做如下处理：
- *    a. 检查是否有一个旧的 Hook（wipRoot.alternate.hooks[hookIndex] 有值，则表明有旧 Hook）
- *    b. 如果有旧 Hook，将其状态复制给新 Hook；否则，用初始值给新 Hook 状态赋值
- *    c. 触发 setState 函数时，其内部使用队列，将接收新状态保存到全局的 wipFiber 上
- *    d. 重置 wipRoot 和 unitOfWork 以触发新的渲染
- *    e. 重新渲染时，同步骤「a」检查是否有旧的 Hook
- *    f. 如果有旧 Hook（oldHook），其 queue 属性里保存的就是“上一次渲染中，使用 setState 更新的状态值”
- *    g. 遍历 oldHook.queue，用该队列里的状态值依次赋值给"新 Hook 的状态
- *    c. 返回“新 Hook 的状态”和“setState 函数”
+ *    a. 检查是否有一个旧的 Hook（fiber.alternate.hooks[hookIndex] 有值，则表明有旧 Hook）
+ *    b. 如果有旧 Hook，以其 baseState 作为初始状态；否则，用初始值给新 Hook 状态赋值
+ *    c. 触发 setState 函数时，将新状态连同更新的优先级（lane）放入新旧 Hook 共用的队列，
+ *       并给 Hook 所在的 Fiber 及其祖先做标记，再安排一次从根节点开始的渲染
+ *    d. 重新渲染时，同步骤「a」检查是否有旧的 Hook，用队列中属于本次渲染优先级的更新，
+ *       依次计算出新 Hook 的状态；没有待处理更新的子树会被跳过
+ *    e. commit 阶段把已经生效的更新从队列中移除
+ *    f. 返回“新 Hook 的状态”和“setState 函数”
  */
 import './step8-hooks/2-3.jsx';
@@ -5,28 +5,93 @@
  *    以支持在同一个组件中多次调用 Hooks
  * 3. 在函数组件中调用 Hooks 时，做如下处理：
  *    a. 检查是否有一个旧的 Hook 对象 `fiber.alternate.hooks[hookIndex]`，有值则表明有旧 Hook 对象
- *    b. 如果有旧 Hook 对象，将其 state 赋值给新 Hook 对象作初值；否则，用默认值作初值
- *    c. state 更新时，会使用队列（队列保存在 Hook 对象上）来记录一系列新的 state 值
- *    d. 遍历旧 Hook 对象上的 state 队列，用队列上的值依次更新“新 Hook 对象”的 state
+ *    b. 如果有旧 Hook 对象，以其 baseState 作初值；否则，用默认值作初值
+ *    c. 新旧 Hook 对象共用同一个更新队列，队列中的每个更新都带有优先级（lane）
+ *    d. 用队列中属于本次渲染优先级的更新，依次计算出“新 Hook 对象”的 state
  *    e. 组装 setState 函数：
- *       - 接收的参数（新 state）入队
- *       - 重置 unitOfWork, wipRoot 以触发重新更新
- *       - 重置 deletions（上次更新中被删除的 fiber）
+ *       - 接收的参数（新 state）连同本次更新的优先级一起入队
+ *       - 给该 Hook 所在的 Fiber 标记 lanes，给其祖先标记 childLanes，
+ *         没有本次渲染优先级更新的子树在重新渲染时会被跳过
+ *       - 记录待处理的优先级，并安排一次 workLoop，由其从根节点开始重新渲染
  *    f. 返回 `[新的 state, 新的 setState]`
+ * 4. commit 阶段把已经生效的更新从队列中移除（详见 useReducer）
  */
 
 function createElement(type, props, ...children) {
+  // key 只用于协调，ref 用于获取 DOM 节点，它们都不属于 props，因此单独保存在元素上
+  const { key = null, ref = null, ...restProps } = props ?? {};
+
+  // 没有子元素时不设置 children，避免每次都创建新的空数组，导致浅比较 props 时总是不相等
+  if (children.length > 0) {
+    // 唯一的子元素是函数时（render props），原样作为 props 传给组件
+    restProps.children =
+      children.length === 1 && typeof children[0] === 'function'
+        ? children[0]
+        : normalizeChildren(children);
+  }
+
   return {
     type,
-    props: {
-      ...props,
-      children: children.map((child) => {
-        return typeof child === 'object' ? child : createTextElement(child);
-      }),
-    },
+    key: key === null ? null : String(key),
+    ref,
+    props: restProps,
   };
 }
 
+const isIterable = (value) =>
+  typeof value === 'object' &&
+  value !== null &&
+  typeof value[Symbol.iterator] === 'function';
+
+// 把 children 规范化为一维的元素数组，处理如下：
+// 1. 字符串、数字转换为文本元素
+// 2. null、undefined、布尔值、函数不渲染任何内容，但仍用 null 占一个位置，
+//    这样条件渲染时，其他兄弟元素的位置保持不变
+// 3. 嵌套的数组、可迭代对象（如 `{items.map(...)}`）会被展开
+function normalizeChildren(children) {
+  const elements = [];
+
+  if (children === undefined) return elements;
+
+  (Array.isArray(children) ? children : [children]).forEach((child, index) => {
+    if (isIterable(child)) {
+      flattenChildren(child, `.${index}`, elements);
+    } else {
+      elements.push(toElement(child));
+    }
+  });
+
+  return elements;
+}
+
+// 展开后的元素，用“所在位置 + 自身 key（没有 key 时用索引）”作为新的 key，
+// 一是保证不同列表中的 key 不会冲突，二是列表长度变化时，不会挤占列表后面兄弟元素的位置
+function flattenChildren(children, keyPrefix, elements) {
+  Array.from(children).forEach((child, index) => {
+    const key = `${keyPrefix}.${child?.key ?? index}`;
+
+    if (isIterable(child)) {
+      flattenChildren(child, key, elements);
+    } else {
+      const element = toElement(child);
+
+      if (element) {
+        elements.push({ ...element, key });
+      }
+    }
+  });
+}
+
+function toElement(child) {
+  if (child == null || typeof child === 'boolean') return null;
+  if (typeof child === 'function') return null;
+
+  return typeof child === 'object' ? child : createTextElement(child);
+}
+
+// Fragment 没有对应的 DOM，只用来把多个子元素组合在一起
+const Fragment = Symbol('Fragment');
+
 function createTextElement(text) {
   return {
     type: 'TEXT_ELEMENT',
@@ -91,21 +156,149 @@ function updateDom(dom, oldProps, newProps) {
     });
 }
 
+// 没有 DOM 的 Fiber（函数组件、Fragment）可能对应多个 DOM 节点（也可能一个都没有），
+// 需要沿着 Fiber 向下，对每个孩子递归处理，直到找到具有 DOM 的 Fiber
 function deleteDom(fiber, parentDom) {
   if (fiber.dom) {
     parentDom.removeChild(fiber.dom);
-  } else {
-    deleteDom(fiber.child, parentDom);
+    return;
+  }
+
+  for (let child = fiber.child; child; child = child.sibling) {
+    deleteDom(child, parentDom);
+  }
+}
+
+function insertDom(fiber, parentDom, beforeDom) {
+  if (fiber.dom) {
+    parentDom.insertBefore(fiber.dom, beforeDom);
+    return;
+  }
+
+  for (let child = fiber.child; child; child = child.sibling) {
+    insertDom(child, parentDom, beforeDom);
+  }
+}
+
+const isPlacing = (fiber) =>
+  fiber.effectTag === 'PLACEMENT' || fiber.effectTag === 'MOVE';
+
+// 找到 fiber 之后第一个“位置不变”的 DOM，作为插入 DOM 时的参照节点，步骤如下：
+// 1. 依次查找 fiber 的兄弟，如果没有兄弟，就向上找父亲的兄弟，
+//    直到遇到具有 DOM 的父 Fiber（即插入 DOM 时的父节点）为止
+// 2. 找到的兄弟如果是函数组件（没有 DOM），就一直向下找它的孩子
+// 3. 被标记 "PLACEMENT" 和 "MOVE" 的 Fiber 此时还不在最终位置上，不能作为参照，跳过
+function getHostSibling(fiber) {
+  let node = fiber;
+
+  siblings: for (;;) {
+    while (!node.sibling) {
+      if (!node.parent || node.parent.dom) return null;
+
+      node = node.parent;
+    }
+
+    node = node.sibling;
+
+    while (!node.dom) {
+      if (isPlacing(node) || !node.child) continue siblings;
+
+      node = node.child;
+    }
+
+    if (!isPlacing(node)) return node.dom;
   }
 }
 
 function commitRoot() {
+  // 修改 DOM 之前，让类组件读取更新前的 DOM 信息（如滚动位置）
+  commitSnapshots(wipRoot);
   // 提交被“删除”的 Fiber
   deletions.forEach(commitWork);
   // 提交被“添加、更新”的 Fiber
   commitWork(wipRoot.child);
-  oldRoot = wipRoot;
+
+  const root = wipRoot;
+  const deleted = deletions;
+  const lanes = wipRootLanes;
+
+  // Effect 不在 commit 阶段执行，而是等浏览器绘制完成后，在下一次 workLoop 开始时执行
+  pendingEffectsRoot = root;
+  pendingDeletions = deleted;
+  ensureWorkLoopScheduled();
+  oldRoot = root;
   wipRoot = null;
+  wipRootLanes = NoLanes;
+
+  // 本次渲染已处理的更新，此时才从队列中移除，并重新汇总还未处理的优先级
+  commitHookQueues(root);
+  pendingLanes = root.childLanes;
+  // 渲染过程中又调用了 render，新的根元素还没有渲染
+  if (root.props !== rootProps) {
+    pendingLanes |= DefaultLane;
+  }
+  expiredLanes &= pendingLanes;
+  expirationTimes.forEach((_, lane) => {
+    if (!includesSomeLane(pendingLanes, lane)) {
+      expirationTimes.delete(lane);
+    }
+  });
+  // 提交了 fallback 时，挂起的组件的更新还未处理，等 thenable 完成后再处理
+  if (wipRootDidSuspend) {
+    suspendedLanes |= lanes & pendingLanes & ~pingedLanes;
+  }
+
+  // 出错后同步重新渲染成功，错误已经自动恢复
+  const errors = recoverableErrors;
+
+  recoverableErrors = [];
+  errors.forEach(({ error, errorInfo }) => {
+    rootErrorHandlers.onRecoverableError(error, errorInfo);
+  });
+
+  // 此时 DOM 已经更新完毕，但浏览器还未绘制，执行 Layout Effect。
+  // 其中调用 setState 触发的是同步更新，需要同步完成渲染和提交，避免用户看到中间状态的 UI
+  runWithPriority(SyncLane, () => {
+    commitHookEffects(root, deleted, 'layout');
+  });
+
+  if (includesSomeLane(pendingLanes, SyncLane)) {
+    performSyncWork();
+  }
+}
+
+// 不等待 workLoop，立即完成所有同步（及已过期）的更新，并提交到 DOM
+function performSyncWork() {
+  // 新的渲染会读取上一次 Effect 的清理函数，因此需要先执行遗留的 Effect
+  flushPassiveEffects();
+  markStarvedLanesAsExpired(scheduler.now());
+
+  const lanes = getNextLanes();
+
+  if (!includesBlockingLane(lanes)) return;
+
+  // 进行中的低优先级渲染被丢弃，其中的更新仍在队列中，之后会重新渲染
+  if (!wipRoot || wipRootLanes !== lanes) {
+    prepareFreshRoot(lanes);
+  }
+
+  while (unitOfWork) {
+    unitOfWork = performUnitOfWork(unitOfWork);
+  }
+
+  // 渲染出错被丢弃时，没有需要提交的内容
+  if (wipRoot) {
+    commitRoot();
+  }
+}
+
+// 执行 fn，并同步完成 fn 中触发的更新，适用于需要立即拿到更新后的 DOM 的场景
+function flushSync(fn) {
+  const result = runWithPriority(SyncLane, () => fn?.());
+
+  performSyncWork();
+
+  return result;
 }
 
 function commitWork(fiber) {
@@ -119,10 +312,18 @@ function commitWork(fiber) {
   }
 
   if (fiber.effectTag === 'PLACEMENT' && fiber.dom) {
-    fiberParent.dom.appendChild(fiber.dom);
+    // 插入到它后面第一个“位置不变”的 DOM 之前，没有找到时，insertBefore 等同于 appendChild
+    fiberParent.dom.insertBefore(fiber.dom, getHostSibling(fiber));
   } else if (fiber.effectTag === 'UPDATE' && fiber.dom) {
     updateDom(fiber.dom, fiber.alternate.props, fiber.props);
+  } else if (fiber.effectTag === 'MOVE') {
+    if (fiber.dom) {
+      updateDom(fiber.dom, fiber.alternate.props, fiber.props);
+    }
+    // insertBefore 会把已在页面上的 DOM 直接移动到新位置，DOM 及其状态都会被保留
+    insertDom(fiber, fiberParent.dom, getHostSibling(fiber));
   } else if (fiber.effectTag === 'DELETION') {
+    detachRefs(fiber);
     deleteDom(fiber, fiberParent.dom);
 
     // 递归删除 Fiber 对应的所有后代 DOM 后，需要停止 commitWork 函数的递归，
@@ -131,34 +332,280 @@ function commitWork(fiber) {
     return;
   }
 
-  commitWork(fiber.child);
+  // 提交后的 Fiber 已经在最终位置上，如果之后被整棵沿用（其中的 Fiber 不再重新协调），
+  // 不能因为残留的标记而在 getHostSibling 中被当作“还未放置”跳过
+  fiber.effectTag = null;
+
+  // 被整棵沿用的子树不需要提交（见 reuseChildFibers）
+  if (!fiber.childReused) {
+    commitWork(fiber.child);
+  }
+  if (fiber.type === Offscreen) {
+    commitOffscreenVisibility(fiber);
+  }
+  // 等所有子代 DOM 都插入完毕后再设置 ref，这样通过 ref 拿到的是完整的 DOM
+  commitRef(fiber);
   commitWork(fiber.sibling);
 }
 
-function render(element, container) {
-  unitOfWork = {
-    dom: container,
-    props: {
-      children: [element],
-    },
-    alternate: oldRoot,
+// ref 可以是对象（`{ current }`），也可以是回调函数
+function setRef(ref, value) {
+  if (typeof ref === 'function') {
+    ref(value);
+  } else {
+    ref.current = value;
+  }
+}
+
+// 只有具有 DOM 的 Fiber 和类组件才设置 ref，值分别为 DOM 和组件实例。
+// ref 变化时，先把旧 ref 置空，再设置新 ref
+function commitRef(fiber) {
+  const oldRef = fiber.alternate?.ref;
+  const value = fiber.dom ?? fiber.instance;
+
+  if (!value || oldRef === fiber.ref) return;
+
+  // 回调 ref 是用户代码，出错时交给错误边界处理（见 runGuarded）
+  if (oldRef) {
+    runGuarded(fiber, () => setRef(oldRef, null));
+  }
+  if (fiber.ref) {
+    runGuarded(fiber, () => setRef(fiber.ref, value));
+  }
+}
+
+// 被删除的 Fiber 及其所有后代的 ref 都需要置空
+function detachRefs(fiber) {
+  forEachFiber(fiber, (fiber) => {
+    if ((fiber.dom || fiber.instance) && fiber.ref) {
+      runGuarded(fiber, () => setRef(fiber.ref, null));
+    }
+  });
+}
+
+/**
+ * 创建根节点，返回的 root.render 用于渲染（或更新）根元素
+ * 1. options.scheduler：决定 workLoop 何时执行的调度器，默认根据运行环境选择（见 createDefaultScheduler）
+ * 2. options.yieldThreshold：本次执行的剩余时间（ms）小于该值时让出主线程，默认为 1
+ * 3. options.onUncaughtError：没有被错误边界捕获的错误，默认交给 reportError
+ * 4. options.onCaughtError：被错误边界捕获的错误，默认用 console.error 打印
+ * 5. options.onRecoverableError：出错后自动恢复（同步重新渲染成功）的错误，默认交给 reportError
+ * 它们都以 (error, errorInfo) 调用，errorInfo.componentStack 为出错组件的组件栈
+ *
+ * 所有的渲染状态（已提交的 Fiber 树、待处理的优先级等）都保存在全局变量中，因此只支持一个根节点：
+ * 对同一个容器再次调用 createRoot 只会更新上述选项，已渲染的内容保持不变；对其他容器调用时抛出错误
+ */
+function createRoot(container, options = {}) {
+  if (rootContainer && container !== rootContainer) {
+    throw new Error(
+      'createRoot: a root has already been created for another container, only one root is supported',
+    );
+  }
+
+  // 切换调度器时，取消旧调度器中还未执行的 workLoop，剩余的工作交给新的调度器
+  if (scheduledCallback) {
+    scheduler.cancelCallback(scheduledCallback);
+    scheduledCallback = null;
+  }
+
+  // 保存容器，之后每次从根节点开始渲染时都会用到
+  rootContainer = container;
+  scheduler = options.scheduler ?? createDefaultScheduler();
+  yieldThreshold = options.yieldThreshold ?? 1;
+  rootErrorHandlers = {
+    onUncaughtError: options.onUncaughtError ?? reportGlobalError,
+    onCaughtError: options.onCaughtError ?? defaultOnCaughtError,
+    onRecoverableError: options.onRecoverableError ?? reportGlobalError,
   };
-  wipRoot = unitOfWork;
-  deletions = [];
+
+  if (hasRemainingWork()) {
+    ensureWorkLoopScheduled();
+  }
+
+  return {
+    render: updateContainer,
+  };
+}
+
+function render(element, container, options) {
+  if (!scheduler || container !== rootContainer || options) {
+    createRoot(container, options);
+  }
+
+  updateContainer(element);
+}
+
+function updateContainer(element) {
+  rootProps = {
+    children: [element],
+  };
+  scheduleUpdate(requestUpdateLane());
 }
 
 let unitOfWork = null;
 let wipRoot = null;
 let oldRoot = null;
 let deletions = null;
+let rootContainer = null;
+let rootProps = null;
+// 已提交到 DOM，但其 Effect 还未执行的 Fiber 树（及其中被删除的 Fiber）
+let pendingEffectsRoot = null;
+let pendingDeletions = [];
+
+/**
+ * 优先级（lane）
+ * 1. 每个更新都有一个优先级，用一个二进制位表示，位越低优先级越高，多个优先级可以用位运算合并
+ * 2. 更新的优先级由触发它的场景决定：flushSync 中、离散事件（如点击）中为同步，
+ *    连续事件（如滚动）中为连续输入，其他情况为默认，也可以通过 runWithPriority 指定
+ * 3. 每次渲染只处理优先级最高的一批更新（wipRootLanes），其他更新在渲染时被跳过
+ * 4. 渲染低优先级的更新时，如果来了更高优先级的更新，则丢弃进行中的渲染，先处理高优先级的更新
+ * 5. 每个优先级都有过期时间，过期后的更新会和最高优先级的更新一起，以不让出主线程的方式渲染，
+ *    避免低优先级的更新因为一直被打断而永远得不到处理
+ */
+const NoLanes = 0b00000;
+const NoLane = 0b00000;
+const SyncLane = 0b00001;
+const InputContinuousLane = 0b00010;
+const DefaultLane = 0b00100;
+const TransitionLane = 0b01000;
+const IdleLane = 0b10000;
+
+// 各优先级的更新，等待多久后过期（单位：ms）
+const laneTimeouts = {
+  [SyncLane]: 250,
+  [InputContinuousLane]: 250,
+  [DefaultLane]: 5000,
+  [TransitionLane]: 5000,
+  [IdleLane]: Infinity,
+};
+
+const discreteEvents = new Set([
+  'click',
+  'dblclick',
+  'contextmenu',
+  'keydown',
+  'keyup',
+  'input',
+  'change',
+  'submit',
+  'focusin',
+  'focusout',
+  'mousedown',
+  'mouseup',
+  'pointerdown',
+  'pointerup',
+  'touchstart',
+  'touchend',
+]);
+const continuousEvents = new Set([
+  'mousemove',
+  'mouseover',
+  'mouseout',
+  'pointermove',
+  'pointerover',
+  'pointerout',
+  'touchmove',
+  'scroll',
+  'wheel',
+  'drag',
+  'dragover',
+]);
+
+const includesSomeLane = (a, b) => (a & b) !== NoLanes;
+const isSubsetOfLanes = (set, subset) => (set & subset) === subset;
+const getHighestPriorityLane = (lanes) => lanes & -lanes;
+const isHigherPriority = (a, b) =>
+  getHighestPriorityLane(a) < getHighestPriorityLane(b);
+// 同步的、已过期的更新，渲染时不让出主线程，也不会被打断
+const includesBlockingLane = (lanes) =>
+  includesSomeLane(lanes, SyncLane | expiredLanes);
 
-function workLoop(idleDeadline) {
+// 所有还未处理的更新的优先级
+let pendingLanes = NoLanes;
+let expiredLanes = NoLanes;
+const expirationTimes = new Map();
+// 进行中的渲染所处理的优先级
+let wipRootLanes = NoLanes;
+// 进行中的渲染中，是否有 Suspense 因挂起而显示 fallback
+let wipRootDidSuspend = false;
+// 因挂起而暂停处理的优先级，以及进行中的渲染期间，thenable 已经完成的优先级
+let suspendedLanes = NoLanes;
+let pingedLanes = NoLanes;
+// 通过 runWithPriority 指定的优先级
+let currentUpdateLane = NoLane;
+let isSyncWorkScheduled = false;
+
+// 在 fn 中触发的更新，都使用指定的优先级
+function runWithPriority(lane, fn) {
+  const prevLane = currentUpdateLane;
+
+  currentUpdateLane = lane;
+
+  try {
+    return fn();
+  } finally {
+    currentUpdateLane = prevLane;
+  }
+}
+
+function requestUpdateLane() {
+  if (currentUpdateLane !== NoLane) return currentUpdateLane;
+
+  // 在事件回调中触发的更新，根据事件类型决定优先级
+  // Node 等没有 window 的环境中，不存在事件回调
+  const eventType =
+    typeof window !== 'undefined' ? window.event?.type : undefined;
+
+  if (discreteEvents.has(eventType)) return SyncLane;
+  if (continuousEvents.has(eventType)) return InputContinuousLane;
+
+  return DefaultLane;
+}
+
+function markStarvedLanesAsExpired(now) {
+  expirationTimes.forEach((expirationTime, lane) => {
+    if (expirationTime <= now) {
+      expiredLanes |= lane;
+    }
+  });
+}
+
+// 下一次渲染要处理的优先级：优先级最高的更新，加上所有已过期的更新
+function getNextLanes() {
+  // 挂起的优先级要等到 thenable 完成后才继续处理（见 Suspense）
+  const lanes = pendingLanes & ~suspendedLanes;
+
+  if (lanes === NoLanes) return NoLanes;
+
+  return getHighestPriorityLane(lanes) | (expiredLanes & lanes);
+}
+
+function workLoop(deadline) {
   let shouldYield = false;
 
+  scheduledCallback = null;
+
+  // 开始新的工作之前，先执行上一次提交遗留的 Effect，
+  // 以保证新的渲染读到的 Hook（如 Effect 的清理函数）是最新的
+  flushPassiveEffects();
+  markStarvedLanesAsExpired(scheduler.now());
+
+  // 没有进行中的渲染时，上一次 workLoop 之后触发的所有更新，合并为一次渲染；
+  // 有进行中的渲染时，只有更高优先级的更新才会打断它，被丢弃的渲染中的更新仍在队列中
+  const nextLanes = getNextLanes();
+
+  if (
+    nextLanes !== NoLanes &&
+    (!wipRoot || isHigherPriority(nextLanes, wipRootLanes))
+  ) {
+    prepareFreshRoot(nextLanes);
+  }
+
+  const isBlocking = includesBlockingLane(wipRootLanes);
+
   while (unitOfWork && !shouldYield) {
     unitOfWork = performUnitOfWork(unitOfWork);
-    // 1: 1ms，同 requestIdleCallback 回调函数接收的参数中 timeRemaining() 返回值的单位
-    shouldYield = idleDeadline.timeRemaining() < 1;
+    shouldYield = !isBlocking && deadline.timeRemaining() < yieldThreshold;
   }
 
   // 处理完了所有工作，将 Fiber 统一提交到 DOM
@@ -166,22 +613,216 @@ function workLoop(idleDeadline) {
     commitRoot();
   }
 
-  window.requestIdleCallback(workLoop);
+  // 还有工作时才安排下一次 workLoop，否则进入休眠，直到有新的更新（见 scheduleUpdate）
+  if (hasRemainingWork()) {
+    ensureWorkLoopScheduled();
+  }
+}
+
+function ensureWorkLoopScheduled() {
+  if (!scheduledCallback) {
+    scheduledCallback = scheduler.requestCallback(workLoop);
+  }
+}
+
+// 是否还有工作：进行中的渲染、还未处理的更新、还未执行的 Passive Effect
+function hasRemainingWork() {
+  return (
+    wipRoot !== null ||
+    (pendingLanes & ~suspendedLanes) !== NoLanes ||
+    pendingEffectsRoot !== null
+  );
+}
+
+// 调度器是否处于休眠状态：没有任何工作，也没有已安排的 workLoop 和同步更新
+function isIdle() {
+  return !hasRemainingWork() && !scheduledCallback && !isSyncWorkScheduled;
+}
+
+/**
+ * 调度器（scheduler）
+ * 决定 workLoop 在什么时候执行、每次执行多长时间，需要实现以下方法：
+ * 1. now()：返回当前时间（ms），用于判断更新是否过期
+ * 2. requestCallback(callback)：在之后的某个时机调用 callback(deadline)，返回一个句柄。
+ *    deadline.timeRemaining() 返回本次执行还剩多少时间（ms），小于 yieldThreshold 时让出主线程
+ * 3. cancelCallback(handle)：取消还未执行的 callback
+ */
+let scheduler = null;
+let scheduledCallback = null;
+let yieldThreshold = 1;
+
+// 除 requestIdleCallback 外，其他调度器每次最多执行 frameInterval 毫秒
+function createDeadline(now, frameInterval) {
+  const deadline = now() + frameInterval;
+
+  return {
+    timeRemaining: () => Math.max(0, deadline - now()),
+  };
+}
+
+// 在浏览器空闲时执行，由浏览器决定每次执行的时间
+function createIdleCallbackScheduler() {
+  return {
+    now: () => performance.now(),
+    requestCallback: (callback) => window.requestIdleCallback(callback),
+    cancelCallback: (handle) => window.cancelIdleCallback(handle),
+  };
+}
+
+// 在下一个宏任务中执行，不像 setTimeout 那样在嵌套调用时有至少 4ms 的延迟
+function createMessageChannelScheduler({ frameInterval = 5 } = {}) {
+  const now = () => performance.now();
+  const channel = new MessageChannel();
+  let pendingHandle = null;
+
+  channel.port1.onmessage = () => {
+    const handle = pendingHandle;
+
+    pendingHandle = null;
+    channel.port1.unref?.();
+    handle?.callback(createDeadline(now, frameInterval));
+  };
+  // Node 中监听消息的端口会使进程一直运行，只在有待执行的 callback 时才保持引用
+  channel.port1.unref?.();
+
+  return {
+    now,
+    requestCallback(callback) {
+      pendingHandle = { callback };
+      channel.port1.ref?.();
+      channel.port2.postMessage(null);
+
+      return pendingHandle;
+    },
+    cancelCallback(handle) {
+      if (pendingHandle === handle) {
+        pendingHandle = null;
+        channel.port1.unref?.();
+      }
+    },
+  };
+}
+
+function createTimeoutScheduler({ frameInterval = 5 } = {}) {
+  const now = () => performance.now();
+
+  return {
+    now,
+    requestCallback: (callback) =>
+      setTimeout(() => callback(createDeadline(now, frameInterval)), 0),
+    cancelCallback: (handle) => clearTimeout(handle),
+  };
+}
+
+// 使用浏览器的 Prioritized Task Scheduling API，priority 为任务的优先级
+function createPostTaskScheduler({
+  frameInterval = 5,
+  priority = 'user-visible',
+} = {}) {
+  const now = () => performance.now();
+
+  return {
+    now,
+    requestCallback(callback) {
+      const controller = new AbortController();
+
+      window.scheduler
+        .postTask(() => callback(createDeadline(now, frameInterval)), {
+          priority,
+          signal: controller.signal,
+        })
+        .catch((error) => {
+          // 被取消的任务会以 AbortError 拒绝，其他错误需要继续抛出
+          if (!controller.signal.aborted) throw error;
+        });
+
+      return controller;
+    },
+    cancelCallback: (controller) => controller.abort(),
+  };
+}
+
+/**
+ * 手动调度器，用于测试
+ * 1. 时间是虚拟的，只有调用 advanceTime 才会前进，因此更新的过期、让出主线程都是可预测的
+ * 2. callback 不会自动执行，需要调用 runNextCallback 逐个执行，或调用 flushAll 执行到没有工作为止
+ */
+function createManualScheduler({ frameInterval = 5 } = {}) {
+  let currentTime = 0;
+  const now = () => currentTime;
+  const handles = [];
+
+  // 执行最早的一个 callback，没有可执行的 callback 时返回 false
+  const runNextCallback = () => {
+    const handle = handles.shift();
+
+    if (!handle) return false;
+
+    handle.callback(createDeadline(now, frameInterval));
+
+    return true;
+  };
+
+  return {
+    now,
+    requestCallback(callback) {
+      const handle = { callback };
+
+      handles.push(handle);
+
+      return handle;
+    },
+    cancelCallback(handle) {
+      const index = handles.indexOf(handle);
+
+      if (index !== -1) {
+        handles.splice(index, 1);
+      }
+    },
+    advanceTime(ms) {
+      currentTime += ms;
+    },
+    hasPendingCallback: () => handles.length > 0,
+    runNextCallback,
+    // 没有工作时 workLoop 不再安排自己，因此这里一定会结束
+    flushAll() {
+      while (runNextCallback());
+    },
+  };
 }
 
-window.requestIdleCallback(workLoop);
+// 优先使用 requestIdleCallback，不支持时（如 Safari、Node）依次降级为 MessageChannel、setTimeout
+function createDefaultScheduler() {
+  if (typeof window !== 'undefined' && window.requestIdleCallback) {
+    return createIdleCallbackScheduler();
+  }
+
+  if (typeof MessageChannel !== 'undefined') {
+    return createMessageChannelScheduler();
+  }
+
+  return createTimeoutScheduler();
+}
 
 function performUnitOfWork(fiber) {
-  const isFunctionComponent = typeof fiber.type === 'function';
+  // 记录开始处理该 Fiber 时已有多少删除，出错时用于撤销其子树中记录的删除（见 captureError）
+  fiber.deletionsIndex = deletions.length;
 
-  if (isFunctionComponent) {
-    updateFunctionComponent(fiber);
-  } else {
-    updateHostComponent(fiber);
+  try {
+    beginWork(fiber);
+  } catch (thrown) {
+    // 从 Suspense（或错误边界）继续，它的子树已经换成了 fallback（或后备 UI）；
+    // 找不到时，整个渲染被丢弃
+    fiber = isThenable(thrown)
+      ? captureSuspension(fiber, thrown)
+      : captureError(fiber, thrown);
+
+    if (!fiber) return null;
   }
 
-  // 搜索 Fiber 树（顺序依次是：孩子、兄弟、父兄弟），返回第一个找到的 Fiber 节点
-  if (fiber.child) {
+  // 搜索 Fiber 树（顺序依次是：孩子、兄弟、父兄弟），返回第一个找到的 Fiber 节点，
+  // 被整棵沿用的子树不需要处理，不进入
+  if (fiber.child && !fiber.childReused) {
     return fiber.child;
   }
 
@@ -194,111 +835,1407 @@ function performUnitOfWork(fiber) {
   }
 }
 
+function beginWork(fiber) {
+  const isClassComponent = !!fiber.type?.prototype?.isReactComponent;
+  const isFunctionComponent = typeof fiber.type === 'function';
+
+  if (canBailout(fiber)) {
+    bailout(fiber);
+  } else if (isClassComponent) {
+    updateClassComponent(fiber);
+  } else if (isFunctionComponent) {
+    updateFunctionComponent(fiber);
+  } else if (fiber.type?.$$typeof === Memo) {
+    updateMemoComponent(fiber);
+  } else if (fiber.type === Fragment) {
+    updateFragment(fiber);
+  } else if (fiber.type?.$$typeof === ContextProvider) {
+    updateContextProvider(fiber);
+  } else if (fiber.type?.$$typeof === Lazy) {
+    updateLazyComponent(fiber);
+  } else if (fiber.type === Suspense) {
+    updateSuspenseComponent(fiber);
+  } else if (fiber.type === Offscreen) {
+    updateOffscreenComponent(fiber);
+  } else {
+    updateHostComponent(fiber);
+  }
+}
+
 let hookIndex = null;
 
-function updateFunctionComponent(fiber) {
+function updateFunctionComponent(fiber, Component = fiber.type) {
   hookIndex = 0;
   unitOfWork.hooks = [];
+  unitOfWork.contextDeps = [];
 
   // 对于函数式组件，其没有对应的 DOM，通过执行其对应的函数即可得到 children
-  const element = fiber.type(fiber.props);
+  const children = renderComponent(fiber, Component);
 
-  reconcileChildren(fiber, [element]);
+  // 函数组件可以返回单个元素、数组、字符串、数字或 null，统一转换为元素数组
+  reconcileChildren(fiber, normalizeChildren(children));
 }
 
-function useState(initial) {
-  const oldHook = unitOfWork.alternate?.hooks?.[hookIndex];
-  const hook = {
-    state: oldHook ? oldHook.state : initial,
-    queue: [],
-  };
+/**
+ * 异步函数组件
+ * 1. 组件返回 Promise 时，将其视为挂起（见 Suspense），Promise 完成后重新渲染，使用其结果作为 children
+ * 2. 重新渲染（如挂起后重试）时不能再次调用组件函数，否则每次都会得到新的 Promise、永远无法完成。
+ *    因此把 Promise 及对应的 props 缓存起来，props 浅比较相等时直接读取缓存的 Promise
+ * 3. 缓存对象在新旧 Fiber 间共用；首次渲染的 Fiber 在挂起后可能被丢弃，此时通过 props 对象找到缓存
+ * 4. props 变化后会重新调用组件函数，旧的 Promise 即使之后才完成，其结果也不会再被使用
+ * 5. 读取缓存时不会调用组件函数，因此异步函数组件中不能使用 Hooks
+ */
+const asyncSlots = new WeakMap();
 
-  const stateOrActions = oldHook?.queue ?? [];
-  stateOrActions.forEach((stateOrAction) => {
-    hook.state =
-      typeof stateOrAction === 'function'
-        ? stateOrAction(hook.state)
-        : stateOrAction;
-  });
+function renderComponent(fiber, Component) {
+  const { props } = fiber;
+  const slot = fiber.alternate?.asyncSlot ?? asyncSlots.get(props);
 
-  unitOfWork.hooks.push(hook);
-  hookIndex++;
+  if (slot && shallowEqual(slot.props, props)) {
+    fiber.asyncSlot = slot;
 
-  function setState(stateOrAction) {
-    hook.queue.push(stateOrAction);
-    unitOfWork = {
-      type: oldRoot.type,
-      props: oldRoot.props,
-      alternate: oldRoot,
-    };
-    wipRoot = unitOfWork;
-    deletions = [];
+    return readThenable(slot.thenable);
   }
 
-  return [hook.state, setState];
-}
+  const children = Component(props);
 
-function updateHostComponent(fiber) {
-  // 使用 Fiber 创建一个新的节点
-  if (!fiber.dom) {
-    fiber.dom = createDom(fiber);
-  }
+  if (!isThenable(children)) return children;
 
-  const elements = fiber.props.children;
-  // 协调 Fiber 与其子元素
-  reconcileChildren(fiber, elements);
+  fiber.asyncSlot = slot ?? {};
+  fiber.asyncSlot.props = props;
+  fiber.asyncSlot.thenable = children;
+  asyncSlots.set(props, fiber.asyncSlot);
+
+  return readThenable(children);
 }
 
-function reconcileChildren(fiber, elements) {
+/**
+ * 跳过不需要更新的 Fiber（bailout）
+ * 1. Fiber 收到的 props 与上一次是同一个对象，并且没有待处理的更新时，其结果不会变化，
+ *    因此不再执行组件函数、也不再协调子元素，而是直接沿用上一次的 Hooks，并复制上一次的子 Fiber
+ * 2. 被复制的子 Fiber，其 props 也与上一次是同一个对象，处理到它们时同样会被跳过，
+ *    直到遇到有待处理更新的 Fiber 为止
+ * 3. 待处理的更新包括：Hook 队列中还有本次渲染优先级的更新，或者读取过的 Context 的值发生了变化
+ * 4. 如果整棵子树中都没有本次渲染优先级的更新（childLanes 不包含 wipRootLanes），
+ *    则连子 Fiber 也不复制，直接沿用上一次的整棵子树，workLoop 也不再进入这棵子树
+ */
+function canBailout(fiber) {
+  return (
+    !!fiber.alternate &&
+    fiber.props === fiber.alternate.props &&
+    !hasPendingWork(fiber)
+  );
+}
+
+function hasPendingWork(fiber) {
+  const { lanes, contextDeps = [] } = fiber.alternate;
+
+  return (
+    includesSomeLane(lanes, wipRootLanes) ||
+    contextDeps.some(
+      ({ context, value }) => !Object.is(readContext(fiber, context), value),
+    )
+  );
+}
+
+function bailout(fiber) {
+  fiber.hooks = fiber.alternate.hooks;
+  fiber.contextDeps = fiber.alternate.contextDeps;
+  fiber.instance = fiber.alternate.instance;
+  fiber.asyncSlot = fiber.alternate.asyncSlot;
+
+  if (includesSomeLane(fiber.alternate.childLanes, wipRootLanes)) {
+    cloneChildFibers(fiber);
+  } else {
+    reuseChildFibers(fiber, fiber.alternate.child);
+  }
+}
+
+// 整棵沿用上一次的子树：子 Fiber 的 parent 需要立即指向当前 Fiber。
+// commit 阶段 getHostSibling 可能在这棵子树被提交之前就进入其中查找，
+// 如果 parent 还指向旧的 Fiber，向上查找时会走到旧树中，拿到已经被删除的 DOM
+function reuseChildFibers(fiber, child) {
+  fiber.child = child;
+  fiber.childReused = true;
+
+  for (; child; child = child.sibling) {
+    child.parent = fiber;
+  }
+}
+
+function cloneChildFibers(fiber) {
+  let prevSibling = null;
+
+  fiber.child = null;
+
+  for (
+    let oldFiber = fiber.alternate.child;
+    oldFiber;
+    oldFiber = oldFiber.sibling
+  ) {
+    const newFiber = {
+      type: oldFiber.type,
+      key: oldFiber.key,
+      ref: oldFiber.ref,
+      props: oldFiber.props,
+      dom: oldFiber.dom,
+      parent: fiber,
+      alternate: oldFiber,
+      index: oldFiber.index,
+      effectTag: 'UPDATE',
+    };
+
+    if (!prevSibling) {
+      fiber.child = newFiber;
+    } else {
+      prevSibling.sibling = newFiber;
+    }
+
+    prevSibling = newFiber;
+  }
+}
+
+/**
+ * 实现 memo
+ * memo 返回一种特殊的元素类型，包装了原组件。新旧 props 浅比较（或用自定义的 areEqual 比较）相等，
+ * 并且没有待处理的更新时，跳过该组件，复用上一次的子 Fiber；否则，同普通函数组件一样渲染
+ */
+const Memo = Symbol('Memo');
+
+function memo(type, areEqual = shallowEqual) {
+  return { $$typeof: Memo, type, compare: areEqual };
+}
+
+function shallowEqual(objA, objB) {
+  if (Object.is(objA, objB)) return true;
+  // 类组件的 state 可能为 null
+  if (!objA || !objB) return false;
+
+  const keysA = Object.keys(objA);
+  const keysB = Object.keys(objB);
+
+  return (
+    keysA.length === keysB.length &&
+    keysA.every(
+      (key) =>
+        Object.prototype.hasOwnProperty.call(objB, key) &&
+        Object.is(objA[key], objB[key]),
+    )
+  );
+}
+
+function updateMemoComponent(fiber) {
+  const { type, compare } = fiber.type;
+
+  if (
+    fiber.alternate &&
+    !hasPendingWork(fiber) &&
+    compare(fiber.alternate.props, fiber.props)
+  ) {
+    bailout(fiber);
+  } else if (type.prototype?.isReactComponent) {
+    updateClassComponent(fiber, type);
+  } else {
+    updateFunctionComponent(fiber, type);
+  }
+}
+
+/**
+ * Suspense
+ * 1. 组件在渲染时抛出一个 thenable（如 Promise），表示它需要等待数据（或代码）加载完成，即“挂起”
+ * 2. 挂起时，沿着 parent 找到最近的 Suspense，丢弃其子树中已完成的工作，改为渲染 fallback，
+ *    thenable 完成后，再重新渲染 Suspense 的 children
+ * 3. Suspense 的 children 包在一个 Offscreen Fiber 中。显示 fallback 时，Offscreen 被隐藏：
+ *    不再渲染 children，而是沿用已提交的子树，只在 commit 阶段隐藏其 DOM，
+ *    这样已经显示过的内容不会被卸载，状态也得以保留
+ * 4. 已显示内容的 Suspense 在过渡（或空闲）渲染中挂起时，不显示 fallback，而是丢弃整个渲染，
+ *    页面上保持旧的 UI，直到 thenable 完成；找不到 Suspense 时也是如此
+ * 5. 挂起的渲染中的优先级被标记为 suspendedLanes，workLoop 不再处理它们，直到 thenable 完成（ping）
+ *    或有新的同优先级更新，避免反复渲染同一个还在等待的组件
+ */
+const Suspense = Symbol('Suspense');
+const Offscreen = Symbol('Offscreen');
+
+const isThenable = (value) => typeof value?.then === 'function';
+
+// 每次 thenable 完成时 dispatch 一次，让 Suspense 重新渲染
+const retryReducer = (count) => count + 1;
+
+function updateSuspenseComponent(fiber) {
+  hookIndex = 0;
+  fiber.hooks = [];
+  fiber.contextDeps = [];
+  useReducer(retryReducer, 0);
+
+  reconcileSuspenseChildren(fiber);
+}
+
+function reconcileSuspenseChildren(fiber) {
+  const { children, fallback } = fiber.props;
+  const elements = [
+    {
+      type: Offscreen,
+      key: 'primary',
+      ref: null,
+      props: { hidden: !!fiber.didSuspend, children },
+    },
+  ];
+
+  if (fiber.didSuspend) {
+    elements.push({
+      type: Fragment,
+      key: 'fallback',
+      ref: null,
+      props: { children: fallback },
+    });
+  }
+
+  reconcileChildren(fiber, elements);
+}
+
+function updateOffscreenComponent(fiber) {
+  if (fiber.props.hidden) {
+    reuseChildFibers(fiber, fiber.alternate?.child ?? null);
+  } else {
+    reconcileChildren(fiber, normalizeChildren(fiber.props.children));
+  }
+}
+
+function captureSuspension(fiber, thenable) {
+  const boundary = findSuspenseBoundary(fiber);
+  const isShowingContent = boundary?.alternate?.child.props.hidden === false;
+
+  if (
+    !boundary ||
+    (isShowingContent &&
+      isSubsetOfLanes(TransitionLane | IdleLane, wipRootLanes))
+  ) {
+    suspendRender(thenable);
+    return null;
+  }
+
+  const retry = boundary.hooks[0].dispatch;
+
+  wipRootDidSuspend = true;
+  boundary.didSuspend = true;
+  // 撤销挂起的子树中记录的删除，重新协调时会再次记录
+  deletions.length = boundary.deletionsIndex;
+  thenable.then(retry, retry);
+  attachPing(thenable, wipRootLanes);
+
+  reconcileSuspenseChildren(boundary);
+
+  return boundary;
+}
+
+// 本次渲染中已经显示 fallback 的 Suspense，不能再捕获 fallback 中的挂起
+function findSuspenseBoundary(fiber) {
+  for (let node = fiber.parent; node; node = node.parent) {
+    if (node.type === Suspense && !node.didSuspend) {
+      return node;
+    }
+  }
+
+  return null;
+}
+
+// 丢弃整个渲染，页面上保持上一次提交的 UI，thenable 完成后再重新渲染
+function suspendRender(thenable) {
+  const lanes = wipRootLanes;
+
+  unitOfWork = null;
+  wipRoot = null;
+  wipRootLanes = NoLanes;
+  deletions = [];
+  suspendedLanes |= lanes;
+  attachPing(thenable, lanes);
+}
+
+function attachPing(thenable, lanes) {
+  const ping = () => {
+    pingedLanes |= lanes;
+    suspendedLanes &= ~lanes;
+    ensureWorkLoopScheduled();
+  };
+
+  thenable.then(ping, ping);
+}
+
+// 隐藏（或重新显示）Offscreen 下最外层的 DOM，文本节点没有 style，通过清空文本来隐藏
+function commitOffscreenVisibility(fiber) {
+  const { hidden } = fiber.props;
+
+  if (hidden === fiber.alternate?.props.hidden) return;
+
+  for (let child = fiber.child; child; child = child.sibling) {
+    toggleHostVisibility(child, hidden);
+  }
+}
+
+function toggleHostVisibility(fiber, hidden) {
+  if (fiber.dom) {
+    if (fiber.type === 'TEXT_ELEMENT') {
+      fiber.dom.nodeValue = hidden ? '' : fiber.props.nodeValue;
+    } else if (hidden) {
+      hideElement(fiber.dom);
+    } else {
+      unhideElement(fiber.dom);
+    }
+    return;
+  }
+
+  for (let child = fiber.child; child; child = child.sibling) {
+    toggleHostVisibility(child, hidden);
+  }
+}
+
+// 被隐藏的元素原来的 display（可能来自 style 属性，如 display: flex），重新显示时恢复
+const hiddenElements = new WeakMap();
+
+function hideElement(dom) {
+  if (!hiddenElements.has(dom)) {
+    hiddenElements.set(dom, {
+      display: dom.style.display,
+      hadStyle: dom.hasAttribute('style'),
+    });
+  }
+
+  dom.style.display = 'none';
+}
+
+function unhideElement(dom) {
+  const saved = hiddenElements.get(dom);
+
+  // 只恢复由 hideElement 隐藏的元素
+  if (!saved) return;
+
+  hiddenElements.delete(dom);
+
+  // 重新显示前 style 属性被更新过时，display 已经是新的值，不能再覆盖
+  if (dom.style.display !== 'none') return;
+
+  dom.style.display = saved.display;
+
+  if (!saved.hadStyle && !dom.getAttribute('style')) {
+    dom.removeAttribute('style');
+  }
+}
+
+/**
+ * 实现 lazy
+ * load 返回一个 Promise（如 `() => import('./Page')`），其结果为模块对象时，使用模块的 default 导出。
+ * 首次渲染时才调用 load，加载完成前组件挂起（见 Suspense），加载失败时抛出错误（见错误边界）
+ */
+const Lazy = Symbol('Lazy');
+
+function lazy(load) {
+  return {
+    $$typeof: Lazy,
+    payload: { status: 'uninitialized', load, result: null },
+  };
+}
+
+function resolveLazyComponent(payload) {
+  if (payload.status === 'uninitialized') {
+    const promise = payload.load();
+
+    payload.status = 'pending';
+    payload.result = promise;
+    promise.then(
+      (module) => {
+        payload.status = 'fulfilled';
+        payload.result = module?.default ?? module;
+      },
+      (error) => {
+        payload.status = 'rejected';
+        payload.result = error;
+      },
+    );
+  }
+
+  if (payload.status === 'fulfilled') return payload.result;
+
+  throw payload.result;
+}
+
+function updateLazyComponent(fiber) {
+  const Component = resolveLazyComponent(fiber.type.payload);
+
+  if (Component.prototype?.isReactComponent) {
+    updateClassComponent(fiber, Component);
+  } else {
+    updateFunctionComponent(fiber, Component);
+  }
+}
+
+function updateFragment(fiber) {
+  // Fragment 同函数组件一样没有对应的 DOM，直接协调它的 children
+  reconcileChildren(fiber, normalizeChildren(fiber.props.children));
+}
+
+/**
+ * 类组件
+ * 1. 继承自 Component 的类（原型上有 isReactComponent 标记）在首次渲染时创建实例并保存在 Fiber 上，
+ *    之后的渲染都沿用同一个实例，调用实例的 render 方法得到 children
+ * 2. setState、forceUpdate 与 useReducer 的 dispatch 一样，把带有优先级的更新放入队列，
+ *    队列、baseState 等保存在 fiber.hooks[0] 上，因此优先级、rebase、bailout 的处理都与函数组件相同
+ * 3. 渲染阶段依次：处理队列得到新的 state → getDerivedStateFromProps → shouldComponentUpdate
+ *    （PureComponent 默认浅比较 props 和 state），不需要更新时不调用 render，沿用上一次的子 Fiber
+ * 4. commit 阶段：修改 DOM 前调用 getSnapshotBeforeUpdate；修改 DOM 后，与 Layout Effect 在同一时机
+ *    调用 componentDidMount/componentDidUpdate 以及 setState 的回调；被删除时调用 componentWillUnmount
+ */
+class Component {
+  constructor(props) {
+    this.props = props;
+    this.state = null;
+  }
+
+  // partialState 可以是对象，也可以是 (state, props) => partialState 的函数，为 null 时不更新
+  setState(partialState, callback) {
+    enqueueClassUpdate(this, { action: partialState, callback });
+  }
+
+  // 跳过 shouldComponentUpdate，强制重新渲染
+  forceUpdate(callback) {
+    enqueueClassUpdate(this, { action: null, callback, isForceUpdate: true });
+  }
+}
+
+Component.prototype.isReactComponent = true;
+
+class PureComponent extends Component {}
+
+PureComponent.prototype.isPureReactComponent = true;
+
+function enqueueClassUpdate(instance, update) {
+  // 还未开始渲染（如在 constructor 中）时调用 setState 不生效，应直接给 this.state 赋值
+  if (!instance._reactInternals) return;
+
+  const { queue, owner } = instance._reactInternals;
+  const lane = requestUpdateLane();
+
+  queue.push({ ...update, lane });
+  markUpdateFromFiber(owner.fiber, lane);
+  scheduleUpdate(lane);
+}
+
+function updateClassComponent(fiber, Ctor = fiber.type) {
+  const oldFiber = fiber.alternate;
+  const { props } = fiber;
+  let instance;
+  let baseState;
+  let queue;
+  let owner;
+
+  if (oldFiber) {
+    instance = oldFiber.instance;
+    ({ baseState, queue, owner } = oldFiber.hooks[0]);
+  } else {
+    instance = new Ctor(props);
+    baseState = instance.state ?? null;
+    queue = [];
+    // 该实例所在的、已提交的 Fiber，在 commit 阶段更新
+    owner = { fiber: null };
+    instance._reactInternals = { queue, owner };
+  }
+
+  const classStateReducer = (state, partialState) => {
+    const partial =
+      typeof partialState === 'function'
+        ? partialState.call(instance, state, props)
+        : partialState;
+
+    return partial == null ? state : { ...state, ...partial };
+  };
+  const hook = {
+    ...processUpdateQueue(queue, baseState, classStateReducer),
+    queue,
+    owner,
+  };
+  // 本次渲染中第一次生效的更新（rebase 时再次生效的更新，其回调已经执行过）
+  const appliedUpdates = queue.filter(
+    (update) =>
+      update.lane !== NoLane && isSubsetOfLanes(wipRootLanes, update.lane),
+  );
+
+  const derivedState = Ctor.getDerivedStateFromProps?.(props, hook.state);
+
+  if (derivedState != null) {
+    hook.state = { ...hook.state, ...derivedState };
+
+    // 没有被跳过的更新时，派生出的 state 也作为之后渲染的 baseState
+    if (hook.appliedCount === queue.length) {
+      hook.baseState = hook.state;
+    }
+  }
+
+  const shouldUpdate =
+    !oldFiber ||
+    appliedUpdates.some((update) => update.isForceUpdate) ||
+    checkShouldComponentUpdate(instance, props, hook.state);
+
+  // shouldComponentUpdate 中 this.props、this.state 还是旧值，之后才更新
+  instance.props = props;
+  instance.state = hook.state;
+  fiber.updateCallbacks = appliedUpdates
+    .map((update) => update.callback)
+    .filter(Boolean);
+
+  if (!shouldUpdate) {
+    bailout(fiber);
+    fiber.hooks = [hook];
+    return;
+  }
+
+  fiber.instance = instance;
+  fiber.hooks = [hook];
+  fiber.contextDeps = [];
+  fiber.lifecycle = oldFiber ? 'componentDidUpdate' : 'componentDidMount';
+
+  reconcileChildren(fiber, normalizeChildren(instance.render()));
+}
+
+function checkShouldComponentUpdate(instance, newProps, newState) {
+  if (instance.shouldComponentUpdate) {
+    return instance.shouldComponentUpdate(newProps, newState);
+  }
+
+  if (instance.isPureReactComponent) {
+    return (
+      !shallowEqual(instance.props, newProps) ||
+      !shallowEqual(instance.state, newState)
+    );
+  }
+
+  return true;
+}
+
+// 更新前的 props 和 state，保存在上一次提交的 Fiber 上
+const getPrevProps = (fiber) => fiber.alternate.props;
+const getPrevState = (fiber) => fiber.alternate.hooks[0].state;
+
+function commitSnapshots(root) {
+  forEachRenderedFiber(root, (fiber) => {
+    if (
+      fiber.lifecycle === 'componentDidUpdate' &&
+      fiber.instance.getSnapshotBeforeUpdate
+    ) {
+      runGuarded(fiber, () => {
+        fiber.snapshot = fiber.instance.getSnapshotBeforeUpdate(
+          getPrevProps(fiber),
+          getPrevState(fiber),
+        );
+      });
+    }
+  });
+}
+
+function commitClassLifecycles(fiber) {
+  const { instance, lifecycle, updateCallbacks = [], capturedError } = fiber;
+
+  if (!instance) return;
+
+  // 已执行过的生命周期和回调，如果 Fiber 被沿用，不应再次执行
+  fiber.lifecycle = null;
+  fiber.updateCallbacks = [];
+  fiber.capturedError = null;
+
+  if (lifecycle === 'componentDidMount') {
+    instance.componentDidMount?.();
+  } else if (lifecycle === 'componentDidUpdate') {
+    instance.componentDidUpdate?.(
+      getPrevProps(fiber),
+      getPrevState(fiber),
+      fiber.snapshot,
+    );
+  }
+
+  updateCallbacks.forEach((callback) => callback.call(instance));
+
+  if (capturedError) {
+    const { error, errorInfo } = capturedError;
+
+    rootErrorHandlers.onCaughtError(error, {
+      ...errorInfo,
+      errorBoundary: instance,
+    });
+    instance.componentDidCatch?.(error, errorInfo);
+  }
+}
+
+/**
+ * 错误边界
+ * 1. 定义了静态方法 getDerivedStateFromError 或实例方法 componentDidCatch 的类组件是错误边界，
+ *    它能捕获子树（不包括它自身）在渲染阶段和 commit 阶段抛出的错误
+ * 2. 渲染阶段出错时，沿着 parent 找到最近的错误边界，丢弃其子树中已完成的工作，
+ *    用 getDerivedStateFromError 返回的 state 重新渲染它（即渲染后备 UI），再从它继续 workLoop。
+ *    渲染后备 UI 时又出错，则交给更上层的错误边界
+ * 3. commit 阶段（生命周期、Effect）出错时，DOM 已经修改，只能给错误边界安排一次同步更新来渲染后备 UI
+ * 4. 错误边界的 componentDidCatch 在 commit 阶段调用，可用于上报错误
+ * 5. 找不到错误边界时，错误继续向外抛出
+ */
+function captureError(fiber, error) {
+  const boundary = findErrorBoundary(fiber);
+
+  if (!boundary) {
+    abortRender(error, { componentStack: getComponentStack(fiber) });
+    return null;
+  }
+
+  try {
+    renderErrorFallback(boundary, error, {
+      componentStack: getComponentStack(fiber),
+    });
+  } catch (fallbackError) {
+    return captureError(boundary, fallbackError);
+  }
+
+  return boundary;
+}
+
+// 本次渲染中已经捕获过错误的错误边界，不能再捕获它的后备 UI 中抛出的错误
+function findErrorBoundary(fiber) {
+  for (let node = fiber.parent; node; node = node.parent) {
+    const { instance } = node;
+
+    if (
+      instance &&
+      !node.capturedError &&
+      (instance.constructor.getDerivedStateFromError ||
+        instance.componentDidCatch)
+    ) {
+      return node;
+    }
+  }
+
+  return null;
+}
+
+function renderErrorFallback(boundary, error, errorInfo) {
+  const { instance } = boundary;
+  // 错误边界可能被跳过（bailout），此时它的 Hook 对象与已提交的 Fiber 共用，不能直接修改
+  const hook = { ...boundary.hooks[0] };
+  const errorState = instance.constructor.getDerivedStateFromError?.(error);
+
+  boundary.capturedError = { error, errorInfo };
+  // 撤销出错子树中记录的删除，重新协调时会再次记录
+  deletions.length = boundary.deletionsIndex;
+
+  if (errorState != null) {
+    hook.state = { ...hook.state, ...errorState };
+
+    if (hook.appliedCount === hook.queue.length) {
+      hook.baseState = hook.state;
+    }
+  }
+
+  instance.state = hook.state;
+  boundary.hooks = [hook];
+  boundary.childReused = false;
+  boundary.lifecycle = boundary.alternate
+    ? 'componentDidUpdate'
+    : 'componentDidMount';
+
+  // 只定义了 componentDidCatch 时先不渲染任何内容，由 componentDidCatch 调用 setState 渲染后备 UI
+  reconcileChildren(
+    boundary,
+    normalizeChildren(errorState != null ? instance.render() : null),
+  );
+}
+
+// commit 阶段调用用户代码（生命周期、Effect），出错时交给错误边界处理，不影响其他 Fiber 的提交
+function runGuarded(fiber, fn) {
+  try {
+    fn();
+  } catch (error) {
+    captureCommitError(fiber, error);
+  }
+}
+
+function captureCommitError(fiber, error) {
+  const boundary = findErrorBoundary(fiber);
+  const errorInfo = { componentStack: getComponentStack(fiber) };
+
+  // DOM 已经修改，无法撤销，只上报错误，其他 Fiber 的提交继续进行
+  if (!boundary) {
+    rootErrorHandlers.onUncaughtError(error, errorInfo);
+    return;
+  }
+
+  const { instance } = boundary;
+
+  runWithPriority(SyncLane, () => {
+    enqueueClassUpdate(instance, {
+      action: instance.constructor.getDerivedStateFromError?.(error) ?? null,
+      callback: () => {
+        rootErrorHandlers.onCaughtError(error, {
+          ...errorInfo,
+          errorBoundary: instance,
+        });
+        instance.componentDidCatch?.(error, errorInfo);
+      },
+    });
+  });
+}
+
+/**
+ * 丢弃出错的渲染
+ * 1. 渲染中抛出的错误没有被错误边界捕获时，丢弃进行中的渲染（wipRoot），页面上仍是上一次提交的 UI
+ * 2. 可中断的渲染出错时，可能是渲染被打断期间数据发生了变化，因此先把这些优先级标记为过期，
+ *    在下一次 workLoop 中一次性同步地重新渲染；成功提交时，错误通过 onRecoverableError 上报
+ * 3. 同步的渲染（包括上面的重新渲染）出错时，错误通过 onUncaughtError 上报，并放弃这些优先级的更新，
+ *    避免 workLoop 一直重复出错的渲染。更新仍在队列中，之后有其他更新时会再次尝试
+ */
+function abortRender(error, errorInfo) {
+  const lanes = wipRootLanes;
+
+  unitOfWork = null;
+  wipRoot = null;
+  wipRootLanes = NoLanes;
+  deletions = [];
+
+  if (!includesBlockingLane(lanes)) {
+    recoverableErrors.push({ error, errorInfo });
+    expiredLanes |= lanes;
+    return;
+  }
+
+  recoverableErrors = [];
+  pendingLanes &= ~lanes;
+  expiredLanes &= ~lanes;
+  expirationTimes.forEach((_, lane) => {
+    if (includesSomeLane(lanes, lane)) {
+      expirationTimes.delete(lane);
+    }
+  });
+  rootErrorHandlers.onUncaughtError(error, errorInfo);
+}
+
+const reportGlobalError = (error) => {
+  if (typeof globalThis.reportError === 'function') {
+    globalThis.reportError(error);
+  } else {
+    console.error(error);
+  }
+};
+
+const defaultOnCaughtError = (error) => console.error(error);
+
+let rootErrorHandlers = {
+  onUncaughtError: reportGlobalError,
+  onCaughtError: defaultOnCaughtError,
+  onRecoverableError: reportGlobalError,
+};
+// 可中断的渲染中出错、正在同步重新渲染的错误
+let recoverableErrors = [];
+
+// 从出错的组件开始，沿着 parent 向上列出所有组件的名称
+function getComponentStack(fiber) {
+  let stack = '';
+
+  for (let node = fiber; node; node = node.parent) {
+    const name = getComponentName(node.type);
+
+    if (name) {
+      stack += `\n    in ${name}`;
+    }
+  }
+
+  return stack;
+}
+
+function getComponentName(type) {
+  if (typeof type === 'function') return type.displayName ?? type.name;
+  if (typeof type === 'string') return type === 'TEXT_ELEMENT' ? null : type;
+  if (type?.$$typeof === Memo) return `Memo(${getComponentName(type.type)})`;
+  if (type?.$$typeof === ContextProvider) return 'Context.Provider';
+  if (type?.$$typeof === Lazy) return 'Lazy';
+  if (type === Suspense) return 'Suspense';
+
+  return null;
+}
+
+/**
+ * 实现 useReducer 函数逻辑
+ * 1. 同一个 Hook 在每次渲染中都会创建新的 Hook 对象，但它们共用同一个队列和 dispatch 函数，
+ *    因此 dispatch 的引用保持不变，即使在旧的闭包中调用，新的更新也会进入同一个队列
+ * 2. 每个更新都带有优先级（lane）。渲染时，从 baseState 开始，用 reducer 把队列中
+ *    属于本次渲染优先级的更新依次作用上去，得到新的 state；优先级不够的更新被跳过
+ * 3. 有更新被跳过时，从第一个被跳过的更新开始，之后的所有更新都保留在队列中，
+ *    并以“第一个被跳过的更新之前的 state”作为新的 baseState。之后处理被跳过的更新时，
+ *    会在 baseState 上按原来的顺序重新计算（rebase），保证结果与按顺序处理所有更新一致
+ * 4. commit 阶段再把已处理的更新从队列中移除。如果渲染中途被丢弃（没有提交），
+ *    这些更新仍在队列中，不会丢失
+ * 5. dispatch 时，给“已提交的 Fiber”标记 lanes，并给它的所有祖先标记 childLanes，
+ *    重新渲染时，不包含本次渲染优先级的子树会被整棵跳过（见 bailout）
+ */
+function useReducer(reducer, initialArg, init) {
+  const oldHook = unitOfWork.alternate?.hooks?.[hookIndex];
+  const queue = oldHook ? oldHook.queue : [];
+  // 该 Hook 所在的、已提交的 Fiber，在 commit 阶段更新
+  const owner = oldHook ? oldHook.owner : { fiber: null };
+
+  const baseState = oldHook
+    ? oldHook.baseState
+    : init
+    ? init(initialArg)
+    : initialArg;
+
+  const hook = {
+    ...processUpdateQueue(queue, baseState, reducer),
+    queue,
+    owner,
+    dispatch:
+      oldHook?.dispatch ??
+      ((action) => {
+        const lane = requestUpdateLane();
+
+        queue.push({ action, lane });
+        markUpdateFromFiber(owner.fiber, lane);
+        scheduleUpdate(lane);
+      }),
+  };
+
+  unitOfWork.hooks.push(hook);
+  hookIndex++;
+
+  return [hook.state, hook.dispatch];
+}
+
+// 从 baseState 开始，依次处理队列中属于本次渲染优先级的更新（见 useReducer 的说明）
+function processUpdateQueue(queue, initialState, reducer) {
+  let state = initialState;
+  let baseState = state;
+  let skippedIndex = -1;
+  const rebasedUpdates = [];
+
+  queue.forEach((update, index) => {
+    if (!isSubsetOfLanes(wipRootLanes, update.lane)) {
+      if (skippedIndex === -1) {
+        skippedIndex = index;
+        baseState = state;
+      }
+      return;
+    }
+
+    state = reducer(state, update.action);
+
+    if (skippedIndex !== -1) {
+      rebasedUpdates.push(update);
+    }
+  });
+
+  return {
+    state,
+    baseState: skippedIndex === -1 ? state : baseState,
+    appliedCount: skippedIndex === -1 ? queue.length : skippedIndex,
+    rebasedUpdates,
+  };
+}
+
+const basicStateReducer = (state, stateOrAction) =>
+  typeof stateOrAction === 'function' ? stateOrAction(state) : stateOrAction;
+
+// useState 是 reducer 为 basicStateReducer 的 useReducer，初始值为函数时，用它的返回值作为初始值
+function useState(initial) {
+  return useReducer(basicStateReducer, initial, (initial) =>
+    typeof initial === 'function' ? initial() : initial,
+  );
+}
+
+// useRef 返回的对象在组件的整个生命周期内保持不变，修改 current 不会触发重新渲染
+function useRef(initialValue) {
+  const oldHook = unitOfWork.alternate?.hooks?.[hookIndex];
+  const hook = {
+    ref: oldHook ? oldHook.ref : { current: initialValue },
+  };
+
+  unitOfWork.hooks.push(hook);
+  hookIndex++;
+
+  return hook.ref;
+}
+
+const createRef = () => ({ current: null });
+
+// 依赖没有变化时，直接复用上一次计算的值；没有传依赖时，每次渲染都重新计算
+function useMemo(factory, deps) {
+  const oldHook = unitOfWork.alternate?.hooks?.[hookIndex];
+  const hook =
+    oldHook && deps && areDepsEqual(oldHook.deps, deps)
+      ? { value: oldHook.value, deps: oldHook.deps }
+      : { value: factory(), deps };
+
+  unitOfWork.hooks.push(hook);
+  hookIndex++;
+
+  return hook.value;
+}
+
+function useCallback(callback, deps) {
+  return useMemo(() => callback, deps);
+}
+
+/**
+ * 过渡（transition）
+ * 1. 在 startTransition 的回调中触发的更新，使用最低的过渡优先级（TransitionLane），
+ *    它们在 workLoop 中可中断地渲染，来了更紧急的更新（如输入）时，进行中的渲染会被丢弃并在之后重新开始
+ * 2. 渲染结果只有在完整提交时才会更新到 DOM，因此过渡完成前，页面上显示的仍是旧的 UI
+ * 3. useTransition 额外返回 isPending：先以当前优先级把它设为 true，让用户立即看到“加载中”，
+ *    再在过渡中把它设为 false，与过渡中的其他更新一起提交
+ */
+function startTransition(callback) {
+  runWithPriority(TransitionLane, callback);
+}
+
+function useTransition() {
+  const [isPending, setPending] = useState(false);
+  // setPending 的引用保持不变，因此 start 的引用也保持不变
+  const start = useCallback((callback) => {
+    setPending(true);
+    startTransition(() => {
+      setPending(false);
+      callback();
+    });
+  }, []);
+
+  return [isPending, start];
+}
+
+/**
+ * 实现 useDeferredValue 函数逻辑
+ * 1. 紧急的渲染（同步、连续输入、默认优先级）中，value 变化时仍返回上一次的值，
+ *    同时以过渡优先级安排一次更新，让依赖它的、开销大的子树之后再可中断地渲染
+ * 2. 非紧急的渲染（过渡、空闲）本身就可以被打断，直接返回最新的 value，并将其记录为延迟的值
+ * 3. 延迟的值保存在一个内部的 useReducer 中，借助它的队列和优先级完成上述更新
+ */
+const deferredValueReducer = (_, value) => value;
+
+function useDeferredValue(value) {
+  const [deferredValue, dispatch] = useReducer(deferredValueReducer, value);
+  const hook = unitOfWork.hooks[hookIndex - 1];
+  const { queue } = hook;
+
+  if (Object.is(deferredValue, value)) return value;
+
+  if (isSubsetOfLanes(TransitionLane | IdleLane, wipRootLanes)) {
+    // 同时记录为 Hook 的 state，之后紧急的渲染才会与实际提交的值比较，而不是退回到旧的值
+    hook.state = value;
+
+    if (hook.appliedCount === queue.length) {
+      hook.baseState = value;
+    }
+
+    return value;
+  }
+
+  // 渲染被打断后重新开始时，同一个值已经在队列中，无需再次安排
+  if (!Object.is(queue[queue.length - 1]?.action, value)) {
+    startTransition(() => dispatch(value));
+  }
+
+  return deferredValue;
+}
+
+function markUpdateFromFiber(fiber, lane) {
+  if (!fiber) return;
+
+  fiber.lanes |= lane;
+
+  for (let parent = fiber.parent; parent; parent = parent.parent) {
+    parent.childLanes |= lane;
+  }
+}
+
+// 自动批处理：同一个事件（或同一个任务）中触发的多次更新，只记录“有哪些优先级的更新”，
+// 等到下一次 workLoop 时，统一进行一次渲染和一次提交
+function scheduleUpdate(lane) {
+  pendingLanes |= lane;
+  // 新的更新可能让挂起的组件不再挂起，需要重新尝试
+  suspendedLanes &= ~lane;
+  // 唤醒休眠中的 workLoop
+  ensureWorkLoopScheduled();
+
+  if (!expirationTimes.has(lane)) {
+    expirationTimes.set(lane, scheduler.now() + laneTimeouts[lane]);
+  }
+
+  // 同步更新不等待 workLoop，在当前事件（任务）结束后的微任务中统一处理，
+  // 同一事件中的多次同步更新仍会被合并
+  if (lane === SyncLane && !isSyncWorkScheduled) {
+    isSyncWorkScheduled = true;
+    queueMicrotask(() => {
+      isSyncWorkScheduled = false;
+      performSyncWork();
+    });
+  }
+}
+
+// 从已提交的 Fiber 树的根节点开始重新渲染（会丢弃正在进行中的渲染），
+// 只处理 lanes 中的更新，没有这些更新的子树会被跳过
+function prepareFreshRoot(lanes) {
+  unitOfWork = {
+    dom: rootContainer,
+    props: rootProps,
+    alternate: oldRoot,
+  };
+  wipRoot = unitOfWork;
+  wipRootLanes = lanes;
+  wipRootDidSuspend = false;
+  pingedLanes = NoLanes;
+  deletions = [];
+}
+
+function commitHookQueues(root) {
+  // 后序遍历，处理到某个 Fiber 时，它的孩子都已经处理完毕，可以直接汇总孩子的 lanes
+  forEachRenderedFiber(root, (fiber) => {
+    fiber.lanes = NoLanes;
+    fiber.childLanes = NoLanes;
+
+    fiber.hooks?.forEach((hook) => {
+      if (!hook.queue) return;
+
+      hook.queue.splice(0, hook.appliedCount);
+      hook.appliedCount = 0;
+      // 已经生效、但因为排在被跳过的更新之后而保留的更新，之后的任何渲染都需要重新计算它们
+      hook.rebasedUpdates.forEach((update) => {
+        update.lane = NoLane;
+      });
+      hook.rebasedUpdates = [];
+      hook.owner.fiber = fiber;
+      // 队列中剩下的更新的优先级，就是该 Fiber 还未处理的优先级
+      hook.queue.forEach((update) => {
+        fiber.lanes |= update.lane;
+      });
+    });
+
+    // 被沿用的子 Fiber 不会被遍历，但它们的 lanes 仍是最新的（有新的更新时会被直接标记）
+    for (let child = fiber.child; child; child = child.sibling) {
+      fiber.childLanes |= child.lanes | child.childLanes;
+    }
+  });
+}
+
+/**
+ * 实现 Context
+ * 1. Provider 是一种特殊的元素类型，同 Fragment 一样没有对应的 DOM，通过 props.value 提供值
+ * 2. useContext 从当前 Fiber 开始向上查找，找到的第一个同一 Context 的 Provider，
+ *    其 value 就是当前的值（因此内层 Provider 会覆盖外层的）；没有找到时，使用默认值
+ * 3. 渲染是从上往下进行的，读取时 Provider 的 props 已经是最新的，
+ *    因此 Provider 的 value 变化后，重新渲染的组件都能读到新值
+ * 4. Consumer 是一个函数组件，把当前值传给作为 children 的函数（render props）
+ */
+const ContextProvider = Symbol('ContextProvider');
+
+function createContext(defaultValue) {
+  const context = { defaultValue };
+
+  context.Provider = { $$typeof: ContextProvider, context };
+  context.Consumer = function Consumer({ children }) {
+    return children(useContext(context));
+  };
+
+  return context;
+}
+
+function updateContextProvider(fiber) {
+  const oldFiber = fiber.alternate;
+
+  if (oldFiber && !Object.is(oldFiber.props.value, fiber.props.value)) {
+    propagateContextChange(oldFiber, fiber.type.context);
+  }
+
+  reconcileChildren(fiber, normalizeChildren(fiber.props.children));
+}
+
+// value 变化时，找到上一次读取过该 Context 的 Fiber，给它们（及祖先）标记本次渲染的优先级，
+// 避免这些 Fiber 所在的子树因为没有其他更新而被整棵跳过
+function propagateContextChange(providerFiber, context) {
+  forEachFiber(providerFiber, (fiber) => {
+    if (fiber.contextDeps?.some((dep) => dep.context === context)) {
+      markUpdateFromFiber(fiber, wipRootLanes);
+    }
+  });
+}
+
+function useContext(context) {
+  const value = readContext(unitOfWork, context);
+
+  // 记录读取过的 Context 及其值，值变化时，即使组件被跳过（bailout）也需要重新渲染
+  unitOfWork.contextDeps.push({ context, value });
+
+  return value;
+}
+
+function readContext(fiber, context) {
+  for (let parent = fiber.parent; parent; parent = parent.parent) {
+    if (parent.type === context.Provider) {
+      return parent.props.value;
+    }
+  }
+
+  return context.defaultValue;
+}
+
+/**
+ * 实现 use 函数逻辑
+ * 1. 传入 Promise（thenable）时：已完成则返回结果，已失败则抛出错误（见错误边界），
+ *    否则抛出该 thenable 使组件挂起（见 Suspense），完成后重新渲染
+ * 2. 传入 Context 时，与 useContext 相同
+ * 3. 不使用 Hook 对象（不占用 hookIndex），因此可以在条件、循环中调用
+ * 4. Promise 的状态和结果直接记录在 thenable 上，重新渲染时，只要传入的是同一个 Promise，
+ *    就能同步读取结果。因此 Promise 需要在组件外部创建或缓存，不能每次渲染都重新创建
+ */
+function use(usable) {
+  if (isThenable(usable)) {
+    return readThenable(usable);
+  }
+
+  if (usable?.Provider?.$$typeof === ContextProvider) {
+    return useContext(usable);
+  }
+
+  throw new Error(`An unsupported type was passed to use(): ${usable}`);
+}
+
+function readThenable(thenable) {
+  if (thenable.status === undefined) {
+    thenable.status = 'pending';
+    thenable.then(
+      (value) => {
+        thenable.status = 'fulfilled';
+        thenable.value = value;
+      },
+      (reason) => {
+        thenable.status = 'rejected';
+        thenable.reason = reason;
+      },
+    );
+  }
+
+  if (thenable.status === 'fulfilled') return thenable.value;
+  if (thenable.status === 'rejected') throw thenable.reason;
+
+  throw thenable;
+}
+
+/**
+ * 实现 useEffect 函数逻辑
+ * 1. 同 useState 一样，在 Hook 对象上保存 Effect 函数、依赖数组和清理函数
+ * 2. 对比新旧依赖数组（用 Object.is 比较每一项），记录依赖是否变化（没有传依赖时，总是视为变化）
+ * 3. commit 阶段完成后，依次执行：
+ *    a. 被删除组件中，所有 Effect 的清理函数
+ *    b. 依赖变化的 Effect 上一次返回的清理函数
+ *    c. 依赖变化的 Effect，并保存其返回的清理函数
+ * 4. 遍历 Fiber 树时，先处理孩子，再处理父亲，因此子组件的 Effect 先于父组件执行
+ */
+function useEffect(create, deps) {
+  pushEffect('passive', create, deps);
+}
+
+/**
+ * useLayoutEffect 与 useEffect 的区别仅在于执行时机：
+ * 在 commit 阶段更新完 DOM 之后、浏览器绘制之前同步执行，适合测量 DOM、修正滚动位置等
+ */
+function useLayoutEffect(create, deps) {
+  pushEffect('layout', create, deps);
+}
+
+function pushEffect(tag, create, deps) {
+  const oldHook = unitOfWork.alternate?.hooks?.[hookIndex];
+  const hook = {
+    tag,
+    create,
+    deps,
+    cleanup: oldHook?.cleanup,
+    hasChanged: !oldHook || !deps || !areDepsEqual(oldHook.deps, deps),
+  };
+
+  unitOfWork.hooks.push(hook);
+  hookIndex++;
+}
+
+function areDepsEqual(oldDeps, newDeps) {
+  if (!oldDeps || oldDeps.length !== newDeps.length) return false;
+
+  return newDeps.every((dep, index) => Object.is(dep, oldDeps[index]));
+}
+
+// 后序遍历 fiber 及其所有后代（不包括 fiber 的兄弟），先孩子后父亲
+function forEachFiber(fiber, callback) {
+  for (let child = fiber.child; child; child = child.sibling) {
+    forEachFiber(child, callback);
+  }
+
+  callback(fiber);
+}
+
+// 同 forEachFiber，但不进入被整棵沿用的子树（childReused）：其中的 Fiber 没有重新渲染，
+// 它们的更新队列、Effect、生命周期在之前的提交中都已处理完毕，commit 阶段只需处理本次渲染过的 Fiber
+function forEachRenderedFiber(fiber, callback) {
+  if (!fiber.childReused) {
+    for (let child = fiber.child; child; child = child.sibling) {
+      forEachRenderedFiber(child, callback);
+    }
+  }
+
+  callback(fiber);
+}
+
+const getEffectHooks = (fiber, tag) =>
+  (fiber.hooks ?? []).filter((hook) => hook.tag === tag);
+
+function runEffectCleanup(hook) {
+  const cleanup = hook.cleanup;
+
+  hook.cleanup = undefined;
+  cleanup?.();
+}
+
+function runEffectCreate(hook) {
+  const cleanup = hook.create();
+
+  hook.cleanup = typeof cleanup === 'function' ? cleanup : undefined;
+  // 已执行过的 Effect，如果 Hook 对象被复用，不应再次执行
+  hook.hasChanged = false;
+}
+
+// 类组件的生命周期方法与 Layout Effect 在同一时机、按同样的顺序执行
+function commitHookEffects(root, deleted, tag) {
+  deleted.forEach((fiber) => {
+    forEachFiber(fiber, (fiber) => {
+      getEffectHooks(fiber, tag).forEach((hook) => {
+        runGuarded(fiber, () => runEffectCleanup(hook));
+      });
+
+      if (tag === 'layout' && fiber.instance?.componentWillUnmount) {
+        runGuarded(fiber, () => fiber.instance.componentWillUnmount());
+      }
+    });
+  });
+
+  forEachRenderedFiber(root, (fiber) => {
+    getEffectHooks(fiber, tag)
+      .filter((hook) => hook.hasChanged)
+      .forEach((hook) => {
+        runGuarded(fiber, () => runEffectCleanup(hook));
+      });
+  });
+
+  forEachRenderedFiber(root, (fiber) => {
+    getEffectHooks(fiber, tag)
+      .filter((hook) => hook.hasChanged)
+      .forEach((hook) => {
+        runGuarded(fiber, () => runEffectCreate(hook));
+      });
+
+    if (tag === 'layout') {
+      runGuarded(fiber, () => commitClassLifecycles(fiber));
+    }
+  });
+}
+
+function flushPassiveEffects() {
+  if (!pendingEffectsRoot) return;
+
+  const root = pendingEffectsRoot;
+  const deleted = pendingDeletions;
+
+  pendingEffectsRoot = null;
+  pendingDeletions = [];
+
+  commitHookEffects(root, deleted, 'passive');
+}
+
+function updateHostComponent(fiber) {
+  // 使用 Fiber 创建一个新的节点
+  if (!fiber.dom) {
+    fiber.dom = createDom(fiber);
+  }
+
+  // children 可能是函数（render props）等不可渲染的值，也需要规范化
+  const elements = normalizeChildren(fiber.props.children);
+  // 协调 Fiber 与其子元素
+  reconcileChildren(fiber, elements);
+}
+
+function reconcileChildren(fiber, elements) {
+  // 用 key 记录所有旧 Fiber，新元素会通过 key 找到对应的旧 Fiber，
+  // 这样即使节点在数组中换了位置，也能复用旧 Fiber（及其 DOM、Hooks 状态）
+  const oldFibers = new Map();
   let oldFiber = fiber.alternate?.child;
+
+  while (oldFiber) {
+    oldFibers.set(oldFiber.key, oldFiber);
+    oldFiber = oldFiber.sibling;
+  }
+
   let prevSibling = null;
+  // 被复用的旧 Fiber 中，在旧数组里的最大索引。
+  // 复用的旧 Fiber 如果索引比它小，说明该节点在新数组中被移到了后面
+  let lastPlacedIndex = 0;
+  // 没有 key 的元素，用它是第几个“没有 key 的元素”作为 key，
+  // null 占位也要计数，这样条件渲染时，后面兄弟元素的 key 保持不变
+  let slot = 0;
+
+  fiber.child = null;
 
-  for (let index = 0; index < elements.length || oldFiber; index++) {
+  for (let index = 0; index < elements.length; index++) {
     const element = elements[index];
+    const key = element?.key ?? slot++;
+
+    if (!element) continue;
+
+    const oldFiber = oldFibers.get(key);
     let newFiber = null;
 
     // 对比“旧 Fiber”与“新元素”，步骤如下：
-    // 1. 如果 type 一致，证明 DOM 节点不需要变，只更新参数
-    // 2. 如果“type 不同”并且“新元素存在”，则需要创建新的 DOM 节点
-    // 3. 如果“type 不同”、"新元素不存在"并且“存在旧的 Fiber”，则需要删除旧的 DOM 节点
-    //
-    // 注：React 在这里会用 key 来对比，以判断“节点在元素数组中换了位置”
-
-    const isSameType = oldFiber && element && oldFiber.type === element.type;
+    // 1. 如果 key 相同且 type 一致，证明 DOM 节点不需要重新创建，只更新参数；
+    //    如果该节点在数组中的相对位置变了，则还需要移动 DOM
+    // 2. 否则，需要创建新的 DOM 节点
+    // 3. 最后，没有被复用的旧 Fiber，需要删除其对应的 DOM 节点
+    const isSameType = oldFiber && oldFiber.type === element.type;
 
     if (isSameType) {
+      oldFibers.delete(key);
+
       newFiber = {
         type: element.type,
+        key,
+        ref: element.ref,
         props: element.props,
         dom: oldFiber.dom,
         parent: fiber,
         alternate: oldFiber,
+        index,
         // 在后面 commit 阶段将会用到这个属性
-        effectTag: 'UPDATE',
+        effectTag: oldFiber.index < lastPlacedIndex ? 'MOVE' : 'UPDATE',
       };
-    } else if (element) {
+
+      lastPlacedIndex = Math.max(lastPlacedIndex, oldFiber.index);
+    } else {
+      // key 相同但 type 不同，旧节点不能复用：删除旧 Fiber 对应的整棵子树，
+      // 再在同一位置创建新节点（commit 阶段会先删除，再插入）
+      if (oldFiber) {
+        oldFibers.delete(key);
+        deleteFiber(oldFiber);
+      }
+
       newFiber = {
         type: element.type,
+        key,
+        ref: element.ref,
         props: element.props,
         dom: null,
         parent: fiber,
         alternate: null,
+        index,
         effectTag: 'PLACEMENT',
       };
-    } else if (oldFiber) {
-      oldFiber.effectTag = 'DELETION';
-      // 对于需要删除的旧 Fiber，我们不再把他连接到新 Fiber 上（新 Fiber 以 wipRoot 为根），
-      // 当我们用 wipRoot 把 Fiber 树提交到 DOM 时，其上没有“旧 Fiber”，
-      // 因此需要用数组把所有“旧 Fiber”保存下来
-      deletions.push(oldFiber);
-    }
-
-    if (oldFiber) {
-      oldFiber = oldFiber.sibling;
     }
 
     // 新创建的 Fiber 能成为“孩子”还是“兄弟”，取决于它是否是第一个后代
-    if (index === 0) {
+    if (!prevSibling) {
       fiber.child = newFiber;
     } else {
       prevSibling.sibling = newFiber;
@@ -306,15 +2243,61 @@ function reconcileChildren(fiber, elements) {
 
     prevSibling = newFiber;
   }
+
+  // 剩下没有被复用的旧 Fiber，在新数组中已经不存在了，需要删除
+  oldFibers.forEach(deleteFiber);
+}
+
+function deleteFiber(oldFiber) {
+  oldFiber.effectTag = 'DELETION';
+  // 对于需要删除的旧 Fiber，我们不再把他连接到新 Fiber 上（新 Fiber 以 wipRoot 为根），
+  // 当我们用 wipRoot 把 Fiber 树提交到 DOM 时，其上没有“旧 Fiber”，
+  // 因此需要用数组把所有“旧 Fiber”保存下来
+  deletions.push(oldFiber);
 }
 
 const MiniReact = {
   createElement,
+  Fragment,
+  Component,
+  PureComponent,
+  Suspense,
+  lazy,
+  createRef,
+  createContext,
+  memo,
+  createRoot,
   render,
+  isIdle,
+  hasRemainingWork,
+  flushSync,
+  runWithPriority,
+  startTransition,
+  SyncLane,
+  InputContinuousLane,
+  DefaultLane,
+  TransitionLane,
+  IdleLane,
+  createIdleCallbackScheduler,
+  createMessageChannelScheduler,
+  createTimeoutScheduler,
+  createPostTaskScheduler,
+  createManualScheduler,
   useState,
+  useReducer,
+  useRef,
+  useMemo,
+  useCallback,
+  useTransition,
+  useDeferredValue,
+  useContext,
+  use,
+  useEffect,
+  useLayoutEffect,
 };
 
 /** @jsx MiniReact.createElement */
+/** @jsxFrag MiniReact.Fragment */
 
 function Test() {
   return <div>test</div>;
@@ -324,6 +2307,10 @@ function Counter() {
   const [count, setCount] = MiniReact.useState(0);
   const [visible, setVisible] = MiniReact.useState(true);
 
+  MiniReact.useEffect(() => {
+    document.title = `Count: ${count}`;
+  }, [count]);
+
   const onAddClick = () => {
     setCount(count + 1);
   };